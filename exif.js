@@ -0,0 +1,176 @@
+// ===== exif.js - Lecture des métadonnées EXIF des photos (JPEG, PNG, WebP) =====
+// Seuls les champs utiles au contrôle des photos sont extraits : date de prise de vue,
+// GPS, appareil et orientation. Un fichier illisible ou sans EXIF donne null
+
+const { DEFAULT_TIME_ZONE, localTimeToDate } = require('./timezone');
+
+const TAGS = {
+    make: 0x010f,
+    model: 0x0110,
+    orientation: 0x0112,
+    dateTime: 0x0132,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    gpsLatitudeRef: 0x0001,
+    gpsLatitude: 0x0002,
+    gpsLongitudeRef: 0x0003,
+    gpsLongitude: 0x0004
+};
+
+// Taille en octets de chaque type TIFF (BYTE, ASCII, SHORT, LONG, RATIONAL, ..., SRATIONAL)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8 };
+
+// Bloc TIFF de l'EXIF selon le format du fichier
+function findTiffBlock(buffer) {
+    // JPEG : segment APP1 "Exif\0\0"
+    if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            if (marker === 0xd9 || marker === 0xda) break;
+            const size = buffer.readUInt16BE(offset + 2);
+            if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+                return buffer.subarray(offset + 10, offset + 2 + size);
+            }
+            offset += 2 + size;
+        }
+        return null;
+    }
+
+    // PNG : chunk eXIf
+    if (buffer.length > 8 && buffer.toString('latin1', 1, 4) === 'PNG') {
+        let offset = 8;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            if (type === 'eXIf') return buffer.subarray(offset + 8, offset + 8 + length);
+            if (type === 'IEND') break;
+            offset += 12 + length;
+        }
+        return null;
+    }
+
+    // WebP : chunk EXIF du conteneur RIFF (parfois précédé de "Exif\0\0")
+    if (buffer.length > 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        let offset = 12;
+        while (offset + 8 <= buffer.length) {
+            const type = buffer.toString('latin1', offset, offset + 4);
+            const length = buffer.readUInt32LE(offset + 4);
+            if (type === 'EXIF') {
+                const data = buffer.subarray(offset + 8, offset + 8 + length);
+                return data.toString('latin1', 0, 6) === 'Exif\0\0' ? data.subarray(6) : data;
+            }
+            offset += 8 + length + (length % 2);
+        }
+    }
+
+    return null;
+}
+
+// Lecture des IFD d'un bloc TIFF (II = little endian, MM = big endian)
+function createTiffReader(tiff) {
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    if (u16(2) !== 42) throw new Error('En-tête TIFF invalide');
+
+    const readValue = (type, count, offset) => {
+        const size = TYPE_SIZES[type] * count;
+        const start = size > 4 ? u32(offset) : offset;
+        if (start + size > tiff.length) return null;
+
+        if (type === 2) {
+            return tiff.toString('latin1', start, start + count).replace(/\0+$/, '').trim();
+        }
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            if (type === 3) values.push(u16(start + i * 2));
+            else if (type === 4) values.push(u32(start + i * 4));
+            else if (type === 5) values.push(u32(start + i * 8) / (u32(start + i * 8 + 4) || 1));
+            else if (type === 1 || type === 7) values.push(tiff[start + i]);
+        }
+        return count === 1 ? values[0] : values;
+    };
+
+    const readIfd = (offset) => {
+        const entries = new Map();
+        if (!offset || offset + 2 > tiff.length) return entries;
+        const count = u16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            const type = u16(entry + 2);
+            if (!TYPE_SIZES[type]) continue;
+            entries.set(u16(entry), readValue(type, u32(entry + 4), entry + 8));
+        }
+        return entries;
+    };
+
+    return { readIfd, firstIfdOffset: u32(4) };
+}
+
+// 'YYYY:MM:DD HH:MM:SS' (+ décalage '+02:00' s'il est enregistré) -> Date
+function parseExifDate(value, offset, timeZone = DEFAULT_TIME_ZONE) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    if (year < 1990 || month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    const offsetMatch = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+    if (offsetMatch) {
+        const minutes = (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3])) * (offsetMatch[1] === '-' ? -1 : 1);
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second) - minutes * 60000);
+    }
+
+    // Sans décalage : heure locale du fuseau
+    return localTimeToDate([year, month, day, hour, minute, second], timeZone);
+}
+
+// Degrés, minutes, secondes -> degrés décimaux signés
+function gpsCoordinate(value, ref, negativeRef) {
+    if (!Array.isArray(value) || value.length < 3 || value.some(Number.isNaN)) return null;
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+    return ref === negativeRef ? -degrees : degrees;
+}
+
+// Métadonnées d'une image : { takenAt, latitude, longitude, make, model, orientation } ou null
+function readExif(buffer) {
+    try {
+        const tiff = findTiffBlock(buffer);
+        if (!tiff || tiff.length < 8) return null;
+
+        const { readIfd, firstIfdOffset } = createTiffReader(tiff);
+        const ifd0 = readIfd(firstIfdOffset);
+        const exif = readIfd(ifd0.get(TAGS.exifIfd));
+        const gps = readIfd(ifd0.get(TAGS.gpsIfd));
+
+        let latitude = gpsCoordinate(gps.get(TAGS.gpsLatitude), gps.get(TAGS.gpsLatitudeRef), 'S');
+        let longitude = gpsCoordinate(gps.get(TAGS.gpsLongitude), gps.get(TAGS.gpsLongitudeRef), 'W');
+        // 0,0 ou hors limites : position non acquise par l'appareil
+        if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 ||
+            (latitude === 0 && longitude === 0)) {
+            latitude = null;
+            longitude = null;
+        }
+
+        const orientation = ifd0.get(TAGS.orientation);
+        return {
+            takenAt: parseExifDate(
+                exif.get(TAGS.dateTimeOriginal) || ifd0.get(TAGS.dateTime),
+                exif.get(TAGS.offsetTimeOriginal)
+            ),
+            latitude,
+            longitude,
+            make: ifd0.get(TAGS.make) || null,
+            model: ifd0.get(TAGS.model) || null,
+            orientation: Number.isInteger(orientation) && orientation >= 1 && orientation <= 8 ? orientation : null
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { readExif, parseExifDate };
@@ -0,0 +1,196 @@
+// ===== migrate.js - Migrations versionnées FiableAuto =====
+// Usage : node migrate.js [up|status|rollback [nombre]]
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.up\.sql$/;
+// Clé du verrou consultatif partagé par toutes les instances (une seule migre à la fois)
+const MIGRATION_LOCK_KEY = 724290101;
+
+// Lire les migrations du dossier, triées par version. Le checksum porte sur le fichier up
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => MIGRATION_FILE.test(file))
+        .map(file => {
+            const [, version, name] = MIGRATION_FILE.exec(file);
+            const up = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+            const downFile = path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`);
+            return {
+                version,
+                name,
+                up,
+                down: fs.existsSync(downFile) ? fs.readFileSync(downFile, 'utf8') : null,
+                checksum: crypto.createHash('sha256').update(up).digest('hex')
+            };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && Number(migration.version) === Number(migrations[index - 1].version)) {
+            throw new Error(`Version de migration dupliquée : ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            execution_ms INTEGER
+        )
+    `);
+}
+
+// État du schéma : migrations appliquées, en attente, modifiées après application, ou disparues
+async function migrationStatus(db) {
+    await ensureMigrationsTable(db);
+    const migrations = loadMigrations();
+    const applied = (await db.query('SELECT * FROM schema_migrations ORDER BY version::int')).rows;
+    const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]));
+    const knownVersions = new Set(migrations.map(migration => Number(migration.version)));
+
+    return {
+        applied,
+        pending: migrations.filter(migration => !appliedByVersion.has(Number(migration.version))),
+        mismatched: migrations.filter(migration => {
+            const row = appliedByVersion.get(Number(migration.version));
+            return row && row.checksum !== migration.checksum;
+        }),
+        missing: applied.filter(row => !knownVersions.has(Number(row.version)))
+    };
+}
+
+function isSchemaUpToDate(status) {
+    return status.pending.length === 0 && status.mismatched.length === 0 && status.missing.length === 0;
+}
+
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Appliquer les migrations en attente, chacune dans sa propre transaction
+async function migrate(pool, log = console.log) {
+    return withMigrationLock(pool, async (client) => {
+        const status = await migrationStatus(client);
+
+        if (status.mismatched.length > 0) {
+            throw new Error(`Migrations modifiées après application : ${status.mismatched.map(m => m.version).join(', ')}`);
+        }
+
+        for (const migration of status.pending) {
+            const startedAt = Date.now();
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.up);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+                    [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Échec de la migration ${migration.version}_${migration.name} : ${error.message}`);
+            }
+            log(`✅ Migration ${migration.version}_${migration.name} appliquée (${Date.now() - startedAt} ms)`);
+        }
+
+        return status.pending;
+    });
+}
+
+// Annuler les dernières migrations appliquées (down), de la plus récente à la plus ancienne
+async function rollback(pool, steps = 1, log = console.log) {
+    return withMigrationLock(pool, async (client) => {
+        await ensureMigrationsTable(client);
+        const migrations = new Map(loadMigrations().map(migration => [Number(migration.version), migration]));
+        const toRollback = (await client.query(
+            'SELECT * FROM schema_migrations ORDER BY version::int DESC LIMIT $1',
+            [steps]
+        )).rows;
+
+        for (const row of toRollback) {
+            const migration = migrations.get(Number(row.version));
+            if (!migration || !migration.down) {
+                throw new Error(`Pas de migration down pour ${row.version}_${row.name}`);
+            }
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Échec du rollback ${row.version}_${row.name} : ${error.message}`);
+            }
+            log(`↩️ Migration ${row.version}_${row.name} annulée`);
+        }
+
+        return toRollback;
+    });
+}
+
+function createPool() {
+    return new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.NODE_ENV === 'production' ? {
+            rejectUnauthorized: false
+        } : false
+    });
+}
+
+async function runCli() {
+    const [command = 'up', argument] = process.argv.slice(2);
+    const pool = createPool();
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(pool);
+            console.log(applied.length > 0 ? `✅ ${applied.length} migration(s) appliquée(s)` : '✅ Schéma à jour');
+        } else if (command === 'status') {
+            const status = await migrationStatus(pool);
+            status.applied.forEach(row => {
+                const mismatched = status.mismatched.some(m => m.version === row.version);
+                console.log(`${mismatched ? '⚠️ modifiée ' : '✅ appliquée'}  ${row.version}_${row.name}  ${row.applied_at.toISOString()}`);
+            });
+            status.pending.forEach(migration => console.log(`⏳ en attente  ${migration.version}_${migration.name}`));
+            status.missing.forEach(row => console.log(`❌ fichier absent  ${row.version}_${row.name}`));
+            process.exitCode = isSchemaUpToDate(status) ? 0 : 1;
+        } else if (command === 'rollback') {
+            const steps = parseInt(argument) || 1;
+            await rollback(pool, steps);
+        } else {
+            console.error(`Commande inconnue : ${command} (up, status, rollback [nombre])`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Erreur migration:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { migrate, rollback, migrationStatus, isSchemaUpToDate, loadMigrations };
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS inspections;
+DROP TABLE IF EXISTS mission_photos;
+DROP TABLE IF EXISTS missions;
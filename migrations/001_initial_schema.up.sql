@@ -0,0 +1,82 @@
+-- Schéma d'origine (créé auparavant au démarrage par initDatabase)
+CREATE TABLE IF NOT EXISTS missions (
+    id SERIAL PRIMARY KEY,
+    mission_code VARCHAR(20) UNIQUE NOT NULL,
+    vehicle_brand VARCHAR(100) NOT NULL,
+    vehicle_model VARCHAR(100) NOT NULL,
+    vehicle_year INTEGER,
+    license_plate VARCHAR(20),
+    vin VARCHAR(50),
+    mileage INTEGER,
+    fuel_level VARCHAR(20),
+    interior_condition VARCHAR(20),
+    exterior_condition VARCHAR(20),
+    mission_type VARCHAR(20) DEFAULT 'inspection',
+    pickup_location TEXT NOT NULL,
+    delivery_location TEXT NOT NULL,
+    pickup_date TIMESTAMP,
+    delivery_date TIMESTAMP,
+    urgency VARCHAR(20) DEFAULT 'normal',
+    client_name VARCHAR(255) NOT NULL,
+    client_email VARCHAR(255) NOT NULL,
+    client_phone VARCHAR(20),
+    client_company VARCHAR(255),
+    provider_name VARCHAR(255),
+    provider_email VARCHAR(255),
+    provider_phone VARCHAR(20),
+    status VARCHAR(50) DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    observations TEXT,
+    internal_notes TEXT,
+    client_signature TEXT,
+    signature_timestamp TIMESTAMP,
+    created_by INTEGER,
+    assigned_to INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS mission_photos (
+    id SERIAL PRIMARY KEY,
+    mission_id INTEGER NOT NULL REFERENCES missions(id) ON DELETE CASCADE,
+    photo_type VARCHAR(50) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    file_size INTEGER,
+    mime_type VARCHAR(100),
+    storage_url TEXT NOT NULL,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(mission_id, photo_type)
+);
+
+-- Colonnes ajoutées après la création des premières bases
+ALTER TABLE mission_photos
+    ADD COLUMN IF NOT EXISTS gps_latitude DECIMAL(10, 8),
+    ADD COLUMN IF NOT EXISTS gps_longitude DECIMAL(11, 8),
+    ADD COLUMN IF NOT EXISTS device_info TEXT;
+
+CREATE TABLE IF NOT EXISTS inspections (
+    id SERIAL PRIMARY KEY,
+    mission_id INTEGER UNIQUE REFERENCES missions(id) ON DELETE CASCADE,
+    observations TEXT,
+    signature TEXT,
+    checklist JSONB,
+    key_count INTEGER DEFAULT 0,
+    optional_photos_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    mission_id INTEGER REFERENCES missions(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255),
+    content TEXT,
+    status VARCHAR(50) DEFAULT 'pending',
+    sent_at TIMESTAMP,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,15 @@
+-- Comptes utilisateurs et rôles (admin, dispatcher, inspector, client)
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    phone VARCHAR(20),
+    role VARCHAR(20) NOT NULL DEFAULT 'client',
+    is_active BOOLEAN DEFAULT true,
+    token_version INTEGER DEFAULT 0,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
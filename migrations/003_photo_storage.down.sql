@@ -0,0 +1 @@
+ALTER TABLE mission_photos DROP COLUMN IF EXISTS storage_key;
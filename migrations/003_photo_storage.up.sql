@@ -0,0 +1,2 @@
+-- Clé de l'objet dans le stockage (R2 / disque local)
+ALTER TABLE mission_photos ADD COLUMN IF NOT EXISTS storage_key TEXT;
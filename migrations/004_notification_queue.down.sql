@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS idx_notifications_queue;
+
+ALTER TABLE notifications
+    DROP COLUMN IF EXISTS html_content,
+    DROP COLUMN IF EXISTS attach_report,
+    DROP COLUMN IF EXISTS attempts,
+    DROP COLUMN IF EXISTS next_attempt_at,
+    DROP COLUMN IF EXISTS updated_at;
+
+ALTER TABLE missions DROP COLUMN IF EXISTS client_language;
@@ -0,0 +1,11 @@
+-- File d'attente des emails
+ALTER TABLE missions ADD COLUMN IF NOT EXISTS client_language VARCHAR(5) DEFAULT 'fr';
+
+ALTER TABLE notifications
+    ADD COLUMN IF NOT EXISTS html_content TEXT,
+    ADD COLUMN IF NOT EXISTS attach_report BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_queue ON notifications (status, next_attempt_at);
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS idx_missions_assigned_to;
+
+ALTER TABLE missions
+    DROP COLUMN IF EXISTS provider_id,
+    DROP COLUMN IF EXISTS pickup_latitude,
+    DROP COLUMN IF EXISTS pickup_longitude,
+    DROP COLUMN IF EXISTS delivery_latitude,
+    DROP COLUMN IF EXISTS delivery_longitude;
+
+DROP TABLE IF EXISTS drivers;
+DROP TABLE IF EXISTS providers;
@@ -0,0 +1,37 @@
+-- Prestataires, chauffeurs et dispatch
+CREATE TABLE IF NOT EXISTS providers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    address TEXT,
+    siret VARCHAR(14),
+    zones TEXT[] DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS drivers (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE NOT NULL REFERENCES users(id),
+    provider_id INTEGER REFERENCES providers(id),
+    license_categories TEXT[] DEFAULT '{B}',
+    zones TEXT[] DEFAULT '{}',
+    base_address TEXT,
+    base_latitude DECIMAL(10, 8),
+    base_longitude DECIMAL(11, 8),
+    is_available BOOLEAN DEFAULT true,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE missions
+    ADD COLUMN IF NOT EXISTS provider_id INTEGER REFERENCES providers(id),
+    ADD COLUMN IF NOT EXISTS pickup_latitude DECIMAL(10, 8),
+    ADD COLUMN IF NOT EXISTS pickup_longitude DECIMAL(11, 8),
+    ADD COLUMN IF NOT EXISTS delivery_latitude DECIMAL(10, 8),
+    ADD COLUMN IF NOT EXISTS delivery_longitude DECIMAL(11, 8);
+
+CREATE INDEX IF NOT EXISTS idx_missions_assigned_to ON missions (assigned_to, status);
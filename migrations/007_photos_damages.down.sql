@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS damage_photos;
+DROP TABLE IF EXISTS mission_damages;
+
+-- Ne garder que la photo la plus récente par emplacement avant de rétablir l'unicité
+DROP INDEX IF EXISTS idx_mission_photos_mission;
+DELETE FROM mission_photos older
+    USING mission_photos newer
+    WHERE older.mission_id = newer.mission_id
+      AND older.photo_type = newer.photo_type
+      AND older.id < newer.id;
+ALTER TABLE mission_photos ADD CONSTRAINT mission_photos_mission_id_photo_type_key UNIQUE (mission_id, photo_type);
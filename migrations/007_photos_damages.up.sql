@@ -0,0 +1,28 @@
+-- Plusieurs photos par emplacement
+ALTER TABLE mission_photos DROP CONSTRAINT IF EXISTS mission_photos_mission_id_photo_type_key;
+CREATE INDEX IF NOT EXISTS idx_mission_photos_mission ON mission_photos (mission_id, photo_type);
+
+-- Dommages annotés sur la silhouette du véhicule
+CREATE TABLE IF NOT EXISTS mission_damages (
+    id SERIAL PRIMARY KEY,
+    mission_id INTEGER NOT NULL REFERENCES missions(id) ON DELETE CASCADE,
+    zone VARCHAR(50) NOT NULL,
+    damage_type VARCHAR(30) NOT NULL,
+    severity VARCHAR(20) NOT NULL DEFAULT 'minor',
+    size_cm DECIMAL(6, 1),
+    diagram_view VARCHAR(10),
+    position_x DECIMAL(5, 4),
+    position_y DECIMAL(5, 4),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS damage_photos (
+    damage_id INTEGER NOT NULL REFERENCES mission_damages(id) ON DELETE CASCADE,
+    photo_id INTEGER NOT NULL REFERENCES mission_photos(id) ON DELETE CASCADE,
+    PRIMARY KEY (damage_id, photo_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mission_damages_mission ON mission_damages (mission_id);
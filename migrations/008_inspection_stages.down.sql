@@ -0,0 +1,17 @@
+ALTER TABLE missions DROP COLUMN IF EXISTS expected_distance_km;
+ALTER TABLE mission_damages DROP COLUMN IF EXISTS stage;
+ALTER TABLE mission_photos DROP COLUMN IF EXISTS stage;
+
+-- Revenir à une seule inspection par mission (celle de prise en charge)
+DELETE FROM inspections WHERE stage <> 'pickup';
+DROP INDEX IF EXISTS idx_inspections_mission_stage;
+ALTER TABLE inspections ADD CONSTRAINT inspections_mission_id_key UNIQUE (mission_id);
+
+ALTER TABLE inspections
+    DROP COLUMN IF EXISTS stage,
+    DROP COLUMN IF EXISTS mileage,
+    DROP COLUMN IF EXISTS fuel_level,
+    DROP COLUMN IF EXISTS interior_condition,
+    DROP COLUMN IF EXISTS exterior_condition,
+    DROP COLUMN IF EXISTS signature_timestamp,
+    DROP COLUMN IF EXISTS inspected_by;
@@ -0,0 +1,18 @@
+-- Une inspection par étape : prise en charge (check-out) et livraison (check-in)
+ALTER TABLE inspections
+    ADD COLUMN IF NOT EXISTS stage VARCHAR(10) NOT NULL DEFAULT 'pickup',
+    ADD COLUMN IF NOT EXISTS mileage INTEGER,
+    ADD COLUMN IF NOT EXISTS fuel_level VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS interior_condition VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS exterior_condition VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS signature_timestamp TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS inspected_by INTEGER REFERENCES users(id);
+
+ALTER TABLE inspections DROP CONSTRAINT IF EXISTS inspections_mission_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inspections_mission_stage ON inspections (mission_id, stage);
+
+ALTER TABLE mission_photos ADD COLUMN IF NOT EXISTS stage VARCHAR(10) NOT NULL DEFAULT 'pickup';
+ALTER TABLE mission_damages ADD COLUMN IF NOT EXISTS stage VARCHAR(10) NOT NULL DEFAULT 'pickup';
+
+-- Distance routière annoncée pour la comparaison des kilométrages
+ALTER TABLE missions ADD COLUMN IF NOT EXISTS expected_distance_km INTEGER;
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_missions_provider;
+DROP INDEX IF EXISTS idx_missions_client_email;
+DROP INDEX IF EXISTS idx_missions_status_created_at;
+DROP INDEX IF EXISTS idx_missions_completed_at;
+DROP INDEX IF EXISTS idx_missions_delivery_date;
+DROP INDEX IF EXISTS idx_missions_pickup_date;
+DROP INDEX IF EXISTS idx_missions_updated_at;
+DROP INDEX IF EXISTS idx_missions_created_at;
@@ -0,0 +1,11 @@
+-- Tri et pagination par curseur des listes de missions : (colonne de tri, id)
+CREATE INDEX IF NOT EXISTS idx_missions_created_at ON missions (created_at, id);
+CREATE INDEX IF NOT EXISTS idx_missions_updated_at ON missions (updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_missions_pickup_date ON missions (pickup_date, id);
+CREATE INDEX IF NOT EXISTS idx_missions_delivery_date ON missions (delivery_date, id);
+CREATE INDEX IF NOT EXISTS idx_missions_completed_at ON missions (completed_at, id);
+
+-- Filtres les plus fréquents du tableau de bord et périmètre des clients
+CREATE INDEX IF NOT EXISTS idx_missions_status_created_at ON missions (status, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_missions_client_email ON missions (client_email, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_missions_provider ON missions (provider_id);
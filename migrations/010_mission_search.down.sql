@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_missions_vin_trgm;
+DROP INDEX IF EXISTS idx_missions_plate_trgm;
+DROP INDEX IF EXISTS idx_missions_search;
+DROP FUNCTION IF EXISTS normalize_vehicle_id(TEXT);
+DROP FUNCTION IF EXISTS mission_search_vector(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT);
+DROP TEXT SEARCH CONFIGURATION IF EXISTS fiableauto_fr;
+-- Les extensions unaccent et pg_trgm sont conservées (partagées avec d'éventuels autres usages)
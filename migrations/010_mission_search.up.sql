@@ -0,0 +1,42 @@
+-- Recherche plein texte des missions (français, insensible aux accents) et recherche
+-- approchée des immatriculations / VIN (trigrammes)
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'fiableauto_fr') THEN
+        CREATE TEXT SEARCH CONFIGURATION fiableauto_fr (COPY = french);
+        ALTER TEXT SEARCH CONFIGURATION fiableauto_fr
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, french_stem;
+    END IF;
+END
+$$;
+
+-- Document indexé : A = identifiants, B = client / véhicule / prestataire, C = adresses, D = observations.
+-- Les notes internes n'en font pas partie (recherche ouverte aux clients).
+-- Configuration qualifiée : CREATE INDEX s'exécute avec un search_path restreint
+CREATE OR REPLACE FUNCTION mission_search_vector(
+    mission_code TEXT, license_plate TEXT, vin TEXT,
+    client_name TEXT, client_company TEXT, vehicle_brand TEXT, vehicle_model TEXT, provider_name TEXT,
+    pickup_location TEXT, delivery_location TEXT, observations TEXT
+) RETURNS tsvector AS $$
+    SELECT
+        setweight(to_tsvector('public.fiableauto_fr', concat_ws(' ', mission_code, license_plate, vin)), 'A') ||
+        setweight(to_tsvector('public.fiableauto_fr', concat_ws(' ', client_name, client_company, vehicle_brand, vehicle_model, provider_name)), 'B') ||
+        setweight(to_tsvector('public.fiableauto_fr', concat_ws(' ', pickup_location, delivery_location)), 'C') ||
+        setweight(to_tsvector('public.fiableauto_fr', coalesce(observations, '')), 'D')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Immatriculation / VIN sans séparateurs ni casse : 'ab-123-cd' -> 'AB123CD'
+CREATE OR REPLACE FUNCTION normalize_vehicle_id(value TEXT) RETURNS TEXT AS $$
+    SELECT NULLIF(regexp_replace(upper(value), '[^A-Z0-9]', '', 'g'), '')
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_missions_search ON missions USING GIN (mission_search_vector(
+    mission_code, license_plate, vin,
+    client_name, client_company, vehicle_brand, vehicle_model, provider_name,
+    pickup_location, delivery_location, observations
+));
+CREATE INDEX IF NOT EXISTS idx_missions_plate_trgm ON missions USING GIN (normalize_vehicle_id(license_plate) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_missions_vin_trgm ON missions USING GIN (normalize_vehicle_id(vin) gin_trgm_ops);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_missions_vehicle;
+ALTER TABLE missions DROP COLUMN IF EXISTS vehicle_id;
+DROP TABLE IF EXISTS vehicles;
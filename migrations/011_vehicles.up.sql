@@ -0,0 +1,66 @@
+-- Registre des véhicules : une fiche par VIN ou par plaque, partagée par les missions
+CREATE TABLE IF NOT EXISTS vehicles (
+    id SERIAL PRIMARY KEY,
+    vin VARCHAR(17) UNIQUE,
+    license_plate VARCHAR(20),
+    -- Plaque sans espaces ni tirets (normalize_vehicle_id) pour le rapprochement
+    plate_normalized VARCHAR(20) UNIQUE,
+    brand VARCHAR(100),
+    model VARCHAR(100),
+    year INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (vin IS NOT NULL OR plate_normalized IS NOT NULL)
+);
+
+ALTER TABLE missions ADD COLUMN IF NOT EXISTS vehicle_id INTEGER REFERENCES vehicles(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_missions_vehicle ON missions (vehicle_id, created_at);
+
+-- Reprise des missions existantes : d'abord par VIN complet (17 caractères)...
+INSERT INTO vehicles (vin, brand, model, year)
+SELECT DISTINCT ON (normalize_vehicle_id(vin)) normalize_vehicle_id(vin), vehicle_brand, vehicle_model, vehicle_year
+FROM missions
+WHERE vehicle_id IS NULL AND length(normalize_vehicle_id(vin)) = 17
+ORDER BY normalize_vehicle_id(vin), created_at DESC
+ON CONFLICT DO NOTHING;
+
+-- ... avec la dernière plaque connue du VIN, si elle n'a jamais été vue sur un autre VIN
+UPDATE vehicles v SET license_plate = latest.license_plate, plate_normalized = latest.plate
+FROM (
+    SELECT DISTINCT ON (normalize_vehicle_id(vin))
+        normalize_vehicle_id(vin) AS vin, license_plate, normalize_vehicle_id(license_plate) AS plate
+    FROM missions
+    WHERE length(normalize_vehicle_id(vin)) = 17 AND normalize_vehicle_id(license_plate) IS NOT NULL
+    ORDER BY normalize_vehicle_id(vin), created_at DESC
+) latest
+WHERE v.vin = latest.vin
+  AND v.plate_normalized IS NULL
+  AND NOT EXISTS (SELECT 1 FROM vehicles other WHERE other.plate_normalized = latest.plate)
+  AND latest.plate IN (
+      SELECT normalize_vehicle_id(license_plate)
+      FROM missions
+      WHERE length(normalize_vehicle_id(vin)) = 17
+      GROUP BY 1
+      HAVING count(DISTINCT normalize_vehicle_id(vin)) = 1
+  );
+
+-- ... puis par plaque pour les missions sans VIN exploitable
+INSERT INTO vehicles (license_plate, plate_normalized, brand, model, year)
+SELECT DISTINCT ON (normalize_vehicle_id(license_plate))
+    license_plate, normalize_vehicle_id(license_plate), vehicle_brand, vehicle_model, vehicle_year
+FROM missions
+WHERE vehicle_id IS NULL
+  AND normalize_vehicle_id(license_plate) IS NOT NULL
+  AND (length(normalize_vehicle_id(vin)) = 17) IS NOT TRUE
+ORDER BY normalize_vehicle_id(license_plate), created_at DESC
+ON CONFLICT DO NOTHING;
+
+UPDATE missions m SET vehicle_id = v.id
+FROM vehicles v
+WHERE m.vehicle_id IS NULL AND v.vin = normalize_vehicle_id(m.vin);
+
+UPDATE missions m SET vehicle_id = v.id
+FROM vehicles v
+WHERE m.vehicle_id IS NULL
+  AND (length(normalize_vehicle_id(m.vin)) = 17) IS NOT TRUE
+  AND v.plate_normalized = normalize_vehicle_id(m.license_plate);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_missions_tracking_token;
+ALTER TABLE missions
+    DROP COLUMN IF EXISTS tracking_token,
+    DROP COLUMN IF EXISTS tracking_token_created_at;
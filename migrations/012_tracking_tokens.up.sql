@@ -0,0 +1,12 @@
+-- Lien de suivi public du client : jeton aléatoire (64 caractères hexadécimaux), révocable (NULL)
+ALTER TABLE missions
+    ADD COLUMN IF NOT EXISTS tracking_token VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS tracking_token_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_missions_tracking_token ON missions (tracking_token);
+
+-- Missions existantes : un jeton pour celles encore en cours
+UPDATE missions
+SET tracking_token = replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+    tracking_token_created_at = CURRENT_TIMESTAMP
+WHERE tracking_token IS NULL AND status NOT IN ('completed', 'cancelled');
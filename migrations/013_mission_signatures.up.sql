@@ -0,0 +1,28 @@
+-- Signatures électroniques par étape : signataire, contexte et empreinte SHA-256 du contenu signé.
+-- Les signatures déjà présentes dans missions.client_signature restent sans empreinte (historique)
+CREATE TABLE IF NOT EXISTS mission_signatures (
+    id SERIAL PRIMARY KEY,
+    mission_id INTEGER NOT NULL REFERENCES missions(id) ON DELETE CASCADE,
+    stage VARCHAR(10) NOT NULL DEFAULT 'pickup',
+    signer_name VARCHAR(255) NOT NULL,
+    signer_role VARCHAR(20) NOT NULL,
+    signature_image TEXT NOT NULL,
+    signed_at TIMESTAMP NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    gps_accuracy_m DOUBLE PRECISION,
+    -- Contenu signé (mission, inspection, photos, dommages) et son empreinte
+    signed_content JSONB NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    recorded_by INTEGER REFERENCES users(id),
+    -- Avenant : la signature est levée pour permettre une correction puis une nouvelle signature
+    amended_at TIMESTAMP,
+    amended_by INTEGER REFERENCES users(id),
+    amendment_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_mission_signatures_mission ON mission_signatures (mission_id, signed_at);
+-- Une seule signature en vigueur par étape
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mission_signatures_active ON mission_signatures (mission_id, stage) WHERE amended_at IS NULL;
@@ -0,0 +1,4 @@
+ALTER TABLE mission_photos
+    DROP COLUMN IF EXISTS taken_at,
+    DROP COLUMN IF EXISTS orientation,
+    DROP COLUMN IF EXISTS gps_source;
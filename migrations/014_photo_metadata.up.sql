@@ -0,0 +1,6 @@
+-- Métadonnées EXIF des photos (gps_latitude, gps_longitude et device_info existent déjà)
+ALTER TABLE mission_photos
+    ADD COLUMN IF NOT EXISTS taken_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS orientation SMALLINT,
+    -- Origine de la position : 'exif' (appareil photo) ou 'client' (géolocalisation du navigateur)
+    ADD COLUMN IF NOT EXISTS gps_source VARCHAR(10);
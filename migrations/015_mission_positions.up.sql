@@ -0,0 +1,16 @@
+-- Trace GPS des missions de convoyage, envoyée par lots par l'application du chauffeur.
+-- Un point renvoyé (lot rejoué après une coupure réseau) est ignoré grâce à (mission_id, recorded_at)
+CREATE TABLE IF NOT EXISTS mission_positions (
+    id BIGSERIAL PRIMARY KEY,
+    mission_id INTEGER NOT NULL REFERENCES missions(id) ON DELETE CASCADE,
+    recorded_at TIMESTAMP NOT NULL,
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    accuracy_m DOUBLE PRECISION,
+    speed_kmh DOUBLE PRECISION,
+    heading SMALLINT,
+    recorded_by INTEGER REFERENCES users(id),
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mission_positions_time ON mission_positions (mission_id, recorded_at);
@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS invoices;
+DROP FUNCTION IF EXISTS invoices_immutable();
+DROP TABLE IF EXISTS invoice_sequences;
+ALTER TABLE missions
+    DROP COLUMN IF EXISTS billing_address,
+    DROP COLUMN IF EXISTS client_vat_number,
+    DROP COLUMN IF EXISTS toll_amount,
+    DROP COLUMN IF EXISTS fuel_amount;
+DROP TABLE IF EXISTS pricing_rules;
@@ -0,0 +1,78 @@
+-- Facturation : grille tarifaire par type de mission, factures et avoirs à numérotation continue
+
+CREATE TABLE IF NOT EXISTS pricing_rules (
+    mission_type VARCHAR(20) PRIMARY KEY,
+    base_price NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    price_per_km NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    -- Kilomètres compris dans le forfait
+    included_km INTEGER NOT NULL DEFAULT 0,
+    -- Majoration en % (forfait + kilomètres) par niveau d'urgence
+    urgency_surcharges JSONB NOT NULL DEFAULT '{"low": 0, "normal": 0, "high": 15, "urgent": 30}',
+    vat_rate NUMERIC(5, 2) NOT NULL DEFAULT 20,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_by INTEGER REFERENCES users(id)
+);
+
+-- Tarifs de départ, à ajuster par l'administrateur (PUT /api/pricing-rules/:missionType)
+INSERT INTO pricing_rules (mission_type, base_price, price_per_km, included_km) VALUES
+    ('inspection', 89, 0, 0),
+    ('convoy', 79, 1.10, 30),
+    ('inspection_convoy', 129, 1.10, 30)
+ON CONFLICT (mission_type) DO NOTHING;
+
+-- Données de facturation de la mission, modifiables jusqu'à l'émission de la facture
+ALTER TABLE missions
+    ADD COLUMN IF NOT EXISTS billing_address TEXT,
+    ADD COLUMN IF NOT EXISTS client_vat_number VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS toll_amount NUMERIC(10, 2),
+    ADD COLUMN IF NOT EXISTS fuel_amount NUMERIC(10, 2);
+
+-- Dernier numéro attribué par type de document et par année. La ligne reste verrouillée
+-- jusqu'au COMMIT de l'émission et un ROLLBACK rend le numéro : pas de trou dans la séquence
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    document_type VARCHAR(20) NOT NULL,
+    year INTEGER NOT NULL,
+    last_number INTEGER NOT NULL,
+    PRIMARY KEY (document_type, year)
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    number VARCHAR(20) NOT NULL UNIQUE,
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('invoice', 'credit_note')),
+    mission_id INTEGER NOT NULL REFERENCES missions(id),
+    credited_invoice_id INTEGER REFERENCES invoices(id),
+    issued_at TIMESTAMP NOT NULL,
+    service_date TIMESTAMP,
+    due_date DATE,
+    -- Copie figée au moment de l'émission : émetteur, client, objet, lignes et mentions
+    seller JSONB NOT NULL,
+    customer JSONB NOT NULL,
+    subject TEXT,
+    lines JSONB NOT NULL,
+    legal_mentions JSONB NOT NULL DEFAULT '[]',
+    currency CHAR(3) NOT NULL DEFAULT 'EUR',
+    vat_rate NUMERIC(5, 2) NOT NULL,
+    total_ht NUMERIC(12, 2) NOT NULL,
+    total_vat NUMERIC(12, 2) NOT NULL,
+    total_ttc NUMERIC(12, 2) NOT NULL,
+    reason TEXT,
+    created_by INTEGER REFERENCES users(id),
+    CHECK ((document_type = 'credit_note') = (credited_invoice_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_mission ON invoices (mission_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_issued ON invoices (issued_at);
+-- Un seul avoir (total) par facture
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_credited ON invoices (credited_invoice_id) WHERE credited_invoice_id IS NOT NULL;
+
+-- Un document émis ne se modifie ni ne se supprime : une erreur se corrige par un avoir
+CREATE OR REPLACE FUNCTION invoices_immutable() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'Les factures et avoirs émis ne peuvent être ni modifiés ni supprimés';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_invoices_immutable ON invoices;
+CREATE TRIGGER trg_invoices_immutable BEFORE UPDATE OR DELETE ON invoices
+    FOR EACH ROW EXECUTE FUNCTION invoices_immutable();
@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS idx_missions_organization;
+ALTER TABLE missions DROP COLUMN IF EXISTS organization_id;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_organization_client_check;
+ALTER TABLE users DROP COLUMN IF EXISTS organization_id;
+
+DROP TABLE IF EXISTS organization_sites;
+DROP TABLE IF EXISTS organization_contacts;
+DROP TABLE IF EXISTS organizations;
@@ -0,0 +1,64 @@
+-- Organisations clientes (loueurs longue durée, concessions, agences de location...) avec leurs
+-- contacts, sites et données de facturation par défaut. Un utilisateur client rattaché à une
+-- organisation ne voit que les missions de celle-ci ; l'équipe FiableAuto garde l'accès à toutes
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    organization_type VARCHAR(20) NOT NULL DEFAULT 'other'
+        CHECK (organization_type IN ('leasing', 'dealership', 'rental', 'fleet', 'other')),
+    siret VARCHAR(14),
+    -- Facturation par défaut des missions de l'organisation
+    vat_number VARCHAR(20),
+    billing_address TEXT,
+    billing_email VARCHAR(255),
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_name ON organizations (lower(name));
+
+CREATE TABLE IF NOT EXISTS organization_contacts (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    job_title VARCHAR(100),
+    is_billing_contact BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_contacts_org ON organization_contacts (organization_id);
+
+-- Agences, parcs et points de restitution : adresses de prise en charge / livraison réutilisables
+CREATE TABLE IF NOT EXISTS organization_sites (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    address TEXT NOT NULL,
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    -- Consignes d'accès (horaires, interlocuteur sur place...)
+    instructions TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_sites_org ON organization_sites (organization_id);
+
+-- Seuls les comptes clients appartiennent à une organisation
+ALTER TABLE users ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_organization_client_check;
+ALTER TABLE users ADD CONSTRAINT users_organization_client_check CHECK (organization_id IS NULL OR role = 'client');
+
+-- Les missions existantes restent sans organisation (rattachement : POST /api/organizations/:id/missions/link)
+ALTER TABLE missions ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id);
+
+-- Périmètre des clients d'une organisation (cf. idx_missions_client_email)
+CREATE INDEX IF NOT EXISTS idx_missions_organization ON missions (organization_id, created_at, id);
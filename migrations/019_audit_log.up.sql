@@ -0,0 +1,45 @@
+-- Journal d'audit des modifications (missions, inspections, photos, dégâts, signatures...) :
+-- auteur, adresse IP, route, entité et différences avant/après. Ajout seul : les lignes ne se
+-- modifient ni ne se suppriment, y compris en SQL direct
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp(),
+    -- Auteur figé au moment de l'action (sans clé étrangère : l'historique survit aux comptes)
+    actor_id INTEGER,
+    actor_email VARCHAR(255),
+    actor_role VARCHAR(20),
+    ip_address VARCHAR(45),
+    method VARCHAR(10),
+    -- Route Express (ex. PUT /api/missions/:id/observations) et chemin appelé
+    route VARCHAR(255),
+    path TEXT,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id BIGINT,
+    mission_id INTEGER,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    -- { champ: { from, to } }
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_mission ON audit_log (mission_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred ON audit_log (occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id, occurred_at);
+
+-- Ajout seul : ni UPDATE, ni DELETE, ni TRUNCATE
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'Le journal d''audit ne peut être ni modifié ni supprimé';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_log_append_only ON audit_log;
+CREATE TRIGGER trg_audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS trg_audit_log_no_truncate ON audit_log;
+CREATE TRIGGER trg_audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+REVOKE UPDATE, DELETE, TRUNCATE ON audit_log FROM PUBLIC;
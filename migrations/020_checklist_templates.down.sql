@@ -0,0 +1,3 @@
+ALTER TABLE inspections DROP COLUMN IF EXISTS checklist_template_version_id;
+DROP TABLE IF EXISTS checklist_template_versions;
+DROP TABLE IF EXISTS checklist_templates;
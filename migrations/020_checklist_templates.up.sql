@@ -0,0 +1,34 @@
+-- Modèles de checklist d'inspection par type de mission (et éventuellement par organisation
+-- cliente) : sections, items typés et obligatoires. Chaque modification publie une nouvelle
+-- version ; une inspection reste validée contre la version avec laquelle elle a été commencée
+
+CREATE TABLE IF NOT EXISTS checklist_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    mission_type VARCHAR(30) NOT NULL CHECK (mission_type IN ('inspection', 'convoy', 'inspection_convoy')),
+    -- NULL : modèle générique du type de mission
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Un seul modèle actif par type de mission et organisation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_checklist_templates_scope
+    ON checklist_templates (mission_type, COALESCE(organization_id, 0)) WHERE is_active;
+
+-- Versions publiées : [{ title, items: [{ key, label, type, required, ... }] }]
+CREATE TABLE IF NOT EXISTS checklist_template_versions (
+    id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES checklist_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    sections JSONB NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (template_id, version)
+);
+
+-- Version contre laquelle la checklist de l'inspection est validée (NULL : checklist libre)
+ALTER TABLE inspections ADD COLUMN IF NOT EXISTS checklist_template_version_id INTEGER
+    REFERENCES checklist_template_versions(id);
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS sync_operations;
+
+DROP TRIGGER IF EXISTS trg_mission_signatures_mission_version ON mission_signatures;
+DROP TRIGGER IF EXISTS trg_mission_damages_mission_version ON mission_damages;
+DROP TRIGGER IF EXISTS trg_mission_photos_mission_version ON mission_photos;
+DROP TRIGGER IF EXISTS trg_inspections_mission_version ON inspections;
+DROP FUNCTION IF EXISTS mission_child_bump_version();
+
+DROP TRIGGER IF EXISTS trg_missions_version ON missions;
+DROP FUNCTION IF EXISTS missions_bump_version();
+ALTER TABLE missions DROP COLUMN IF EXISTS version;
@@ -0,0 +1,58 @@
+-- Synchronisation hors ligne de l'application d'inspection : numéro de version par mission pour
+-- détecter les conflits, et clés d'idempotence des opérations déjà appliquées
+
+-- Incrémenté à chaque écriture sur la mission ou ses inspections, photos, dommages et signatures
+-- (les positions GPS, simple télémétrie, n'y touchent pas)
+ALTER TABLE missions ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION missions_bump_version() RETURNS trigger AS $$
+BEGIN
+    NEW.version := OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_missions_version ON missions;
+CREATE TRIGGER trg_missions_version BEFORE UPDATE ON missions
+    FOR EACH ROW EXECUTE FUNCTION missions_bump_version();
+
+CREATE OR REPLACE FUNCTION mission_child_bump_version() RETURNS trigger AS $$
+BEGIN
+    UPDATE missions SET version = version + 1
+    WHERE id = CASE WHEN TG_OP = 'DELETE' THEN OLD.mission_id ELSE NEW.mission_id END;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_inspections_mission_version ON inspections;
+CREATE TRIGGER trg_inspections_mission_version AFTER INSERT OR UPDATE OR DELETE ON inspections
+    FOR EACH ROW EXECUTE FUNCTION mission_child_bump_version();
+
+DROP TRIGGER IF EXISTS trg_mission_photos_mission_version ON mission_photos;
+CREATE TRIGGER trg_mission_photos_mission_version AFTER INSERT OR UPDATE OR DELETE ON mission_photos
+    FOR EACH ROW EXECUTE FUNCTION mission_child_bump_version();
+
+DROP TRIGGER IF EXISTS trg_mission_damages_mission_version ON mission_damages;
+CREATE TRIGGER trg_mission_damages_mission_version AFTER INSERT OR UPDATE OR DELETE ON mission_damages
+    FOR EACH ROW EXECUTE FUNCTION mission_child_bump_version();
+
+DROP TRIGGER IF EXISTS trg_mission_signatures_mission_version ON mission_signatures;
+CREATE TRIGGER trg_mission_signatures_mission_version AFTER INSERT OR UPDATE OR DELETE ON mission_signatures
+    FOR EACH ROW EXECUTE FUNCTION mission_child_bump_version();
+
+-- Opérations appliquées, par clé d'idempotence générée par l'application (unique par utilisateur)
+CREATE TABLE IF NOT EXISTS sync_operations (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    idempotency_key VARCHAR(100) NOT NULL,
+    mission_id INTEGER NOT NULL REFERENCES missions(id) ON DELETE CASCADE,
+    operation_type VARCHAR(30) NOT NULL,
+    -- Version de la mission sur laquelle l'application s'appuyait, et version après application
+    base_version INTEGER NOT NULL,
+    version_after INTEGER NOT NULL,
+    result JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_operations_mission ON sync_operations (mission_id);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_webhook_subscriptions_organization;
+ALTER TABLE webhook_subscriptions DROP COLUMN IF EXISTS organization_id;
@@ -0,0 +1,5 @@
+-- Webhooks d'une organisation cliente : seuls les événements de ses missions lui sont envoyés.
+-- Sans organisation, l'abonnement appartient à l'équipe FiableAuto et reçoit tous les événements
+ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_organization ON webhook_subscriptions (organization_id);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_missions_client_email;
+CREATE INDEX IF NOT EXISTS idx_missions_client_email ON missions (client_email, created_at, id);
@@ -0,0 +1,4 @@
+-- Périmètre des clients sans organisation : l'email client des missions est saisi tel quel,
+-- comparé sans tenir compte de la casse à celui du compte
+DROP INDEX IF EXISTS idx_missions_client_email;
+CREATE INDEX IF NOT EXISTS idx_missions_client_email ON missions (lower(client_email), created_at, id);
@@ -0,0 +1 @@
+ALTER TABLE invoices ALTER COLUMN issued_at TYPE TIMESTAMP USING issued_at AT TIME ZONE current_setting('TimeZone');
@@ -0,0 +1,4 @@
+-- Date d'émission en TIMESTAMPTZ : l'année du numéro (F2026-...) et le filtre par année se lisent
+-- toutes deux dans le fuseau Europe/Paris. Les dates existantes étaient enregistrées dans le fuseau
+-- de la session
+ALTER TABLE invoices ALTER COLUMN issued_at TYPE TIMESTAMPTZ USING issued_at AT TIME ZONE current_setting('TimeZone');
@@ -0,0 +1,32 @@
+// ===== plate.js - Plaques d'immatriculation françaises (SIV et FNI) =====
+// SIV (depuis 2009) : AA-123-AA, sans I, O ni U | FNI (avant 2009) : 1234 ABC 75
+
+const SIV_PLATE = /^([A-HJ-NP-TV-Z]{2})(\d{3})([A-HJ-NP-TV-Z]{2})$/;
+const FNI_PLATE = /^(\d{1,4})([A-Z]{1,3})(\d{2}|2A|2B|97[1-6])$/;
+
+// Clé de rapprochement : majuscules, sans espaces, tirets ni points (même règle que
+// normalize_vehicle_id côté SQL, migration 010)
+function normalizePlate(plate) {
+    const normalized = String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return normalized || null;
+}
+
+// Format reconnu et écriture usuelle ; les plaques étrangères restent telles quelles
+function parsePlate(plate) {
+    const normalized = normalizePlate(plate);
+    if (!normalized) return null;
+
+    const siv = SIV_PLATE.exec(normalized);
+    if (siv) {
+        return { normalized, format: 'siv', formatted: `${siv[1]}-${siv[2]}-${siv[3]}` };
+    }
+
+    const fni = FNI_PLATE.exec(normalized);
+    if (fni) {
+        return { normalized, format: 'fni', formatted: `${fni[1]} ${fni[2]} ${fni[3]}` };
+    }
+
+    return { normalized, format: 'other', formatted: String(plate).trim().toUpperCase() };
+}
+
+module.exports = { normalizePlate, parsePlate };
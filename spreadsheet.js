@@ -0,0 +1,175 @@
+// ===== spreadsheet.js - Lecture et écriture de tableaux CSV / XLSX (import et export des missions) =====
+// Lecture : première feuille, première ligne non vide = en-têtes, lignes vides ignorées.
+// Les cellules sont rendues en texte (les dates Excel en ISO 8601) pour être validées comme une saisie
+
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const { localTimeToDate, wallClockDate } = require('./timezone');
+
+// Erreur de fichier à signaler à l'utilisateur (format, contenu)
+class SpreadsheetError extends Error {}
+
+// Format selon la signature du fichier : XLSX = archive ZIP, XLS = conteneur OLE (non pris en charge)
+function detectFormat(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) return 'xlsx';
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0xd0cf11e0) return 'xls';
+    return 'csv';
+}
+
+// UTF-8 (avec ou sans BOM), sinon Windows-1252 (CSV enregistrés par Excel en français)
+function decodeText(buffer) {
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        text = new TextDecoder('windows-1252').decode(buffer);
+    }
+    return text.replace(/^\uFEFF/, '');
+}
+
+// Séparateur le plus fréquent de la ligne d'en-têtes (Excel en français : point-virgule)
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const counts = [';', ',', '\t'].map(delimiter => [delimiter, header.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Valeur d'une cellule en texte. Les dates Excel n'ont pas de fuseau : heure de Paris
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        return localTimeToDate([
+            value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate(),
+            value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds()
+        ]).toISOString();
+    }
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+        if ('result' in value) return cellText(value.result);
+        if ('text' in value) return cellText(value.text);
+        if ('error' in value) return '';
+    }
+    return String(value).trim();
+}
+
+// { headers, rows: [{ line, values: { en-tête: texte } }] } ; line = numéro de ligne dans le tableur
+async function readSpreadsheet(buffer) {
+    const format = detectFormat(buffer);
+    if (format === 'xls') {
+        throw new SpreadsheetError('Format XLS non pris en charge : enregistrez le fichier en XLSX ou CSV');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    try {
+        if (format === 'xlsx') {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets[0];
+        } else {
+            const text = decodeText(buffer);
+            worksheet = await workbook.csv.read(Readable.from([text]), {
+                parserOptions: { delimiter: detectDelimiter(text) },
+                map: value => value
+            });
+        }
+    } catch (error) {
+        throw new SpreadsheetError('Fichier illisible : CSV ou XLSX attendu');
+    }
+    if (!worksheet) throw new SpreadsheetError('Le fichier ne contient aucune feuille');
+
+    let headers = null;
+    const rows = [];
+    worksheet.eachRow((row, line) => {
+        const cells = row.values.slice(1).map(cellText);
+        if (cells.every(cell => cell === '')) return;
+
+        if (!headers) {
+            headers = cells;
+            return;
+        }
+        const values = {};
+        headers.forEach((header, index) => {
+            if (header) values[header] = cells[index] || '';
+        });
+        rows.push({ line, values });
+    });
+
+    if (!headers || headers.every(header => !header)) {
+        throw new SpreadsheetError('Ligne d\'en-têtes introuvable');
+    }
+    const duplicate = headers.find((header, index) => header && headers.indexOf(header) !== index);
+    if (duplicate) throw new SpreadsheetError(`Colonne "${duplicate}" présente plusieurs fois`);
+
+    return { format, headers: headers.filter(Boolean), rows };
+}
+
+// Date saisie en texte -> ISO 8601 : 'JJ/MM/AAAA [HH:MM[:SS]]' et 'AAAA-MM-JJ' en heure de Paris.
+// Les autres formats sont rendus tels quels (à valider par l'appelant)
+function parseDateText(text) {
+    const french = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T]+(\d{1,2})[:h](\d{2})(?::(\d{2}))?)?$/.exec(text);
+    const isoDay = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    let parts = null;
+    if (french) {
+        const [day, month, year, hour, minute, second] = french.slice(1).map(part => Number(part || 0));
+        parts = [year, month, day, hour, minute, second];
+    } else if (isoDay) {
+        parts = isoDay.slice(1).map(Number);
+    }
+    if (!parts) return text;
+
+    const [year, month, day, hour = 0, minute = 0, second = 0] = parts;
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return text;
+    }
+    return localTimeToDate(parts).toISOString();
+}
+
+// Date -> 'JJ/MM/AAAA HH:MM' (heure de Paris)
+function formatDateTime(date) {
+    const local = wallClockDate(date).toISOString();
+    return `${local.slice(8, 10)}/${local.slice(5, 7)}/${local.slice(0, 4)} ${local.slice(11, 16)}`;
+}
+
+// Tableau CSV (séparateur ;, UTF-8 avec BOM pour Excel) ou XLSX.
+// columns : [{ header, key, type: 'text' | 'number' | 'date' | 'link', width }]
+async function writeSpreadsheet(format, columns, rows, sheetName = 'Feuille 1') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 15 }));
+
+    rows.forEach(row => {
+        const values = {};
+        columns.forEach(({ key, type }) => {
+            const value = row[key];
+            if (value === null || value === undefined || value === '') {
+                values[key] = null;
+            } else if (type === 'date') {
+                values[key] = format === 'xlsx' ? wallClockDate(new Date(value)) : formatDateTime(new Date(value));
+            } else if (type === 'number') {
+                values[key] = Number(value);
+            } else if (type === 'link' && format === 'xlsx') {
+                values[key] = { text: value, hyperlink: value };
+            } else if (format === 'csv' && /^[=+\-@\t\r]/.test(String(value))) {
+                // Texte pris pour une formule par Excel (injection CSV) : neutralisé par une apostrophe
+                values[key] = `'${value}`;
+            } else {
+                values[key] = String(value);
+            }
+        });
+        worksheet.addRow(values);
+    });
+
+    if (format === 'csv') {
+        return workbook.csv.writeBuffer({ formatterOptions: { delimiter: ';', writeBOM: true } });
+    }
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    columns.forEach(({ key, type }) => {
+        if (type === 'date') worksheet.getColumn(key).numFmt = 'dd/mm/yyyy hh:mm';
+    });
+    return workbook.xlsx.writeBuffer();
+}
+
+module.exports = { readSpreadsheet, writeSpreadsheet, parseDateText, SpreadsheetError };
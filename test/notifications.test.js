@@ -0,0 +1,181 @@
+// File d'attente des notifications : envoi, nouvelles tentatives et backoff exponentiel contre
+// un serveur SMTP de capture local. Base PostgreSQL dédiée aux tests (TEST_DATABASE_URL) : les
+// migrations y sont appliquées et la table notifications y est vidée
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { SMTPServer } = require('smtp-server');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+if (TEST_DATABASE_URL) {
+    process.env.DATABASE_URL = TEST_DATABASE_URL;
+}
+
+const { migrate } = require('../migrate');
+const {
+    pool,
+    processNotificationQueue,
+    NOTIFICATION_RETRY_BASE_SECONDS,
+    NOTIFICATION_MAX_ATTEMPTS
+} = require('../server').internals;
+
+describe('processNotificationQueue', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL non défini' }, () => {
+    // Messages reçus par le serveur de capture et nombre d'envois à refuser (erreur temporaire)
+    const received = [];
+    let failNext = 0;
+    let smtp;
+
+    before(async () => {
+        smtp = new SMTPServer({
+            authOptional: true,
+            disabledCommands: ['STARTTLS', 'AUTH'],
+            logger: false,
+            onData(stream, session, callback) {
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => {
+                    if (failNext > 0) {
+                        failNext--;
+                        const error = new Error('Service temporairement indisponible');
+                        error.responseCode = 451;
+                        return callback(error);
+                    }
+                    received.push({
+                        to: session.envelope.rcptTo.map(rcpt => rcpt.address),
+                        raw: Buffer.concat(chunks).toString()
+                    });
+                    callback();
+                });
+            }
+        });
+        await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+        process.env.SMTP_HOST = '127.0.0.1';
+        process.env.SMTP_PORT = String(smtp.server.address().port);
+
+        await migrate(pool, () => {});
+    });
+
+    after(async () => {
+        await pool.query('DELETE FROM notifications');
+        await pool.end();
+        await new Promise(resolve => smtp.close(resolve));
+    });
+
+    beforeEach(async () => {
+        await pool.query('DELETE FROM notifications');
+        received.length = 0;
+        failNext = 0;
+    });
+
+    async function enqueue(recipient, attempts = 0) {
+        const result = await pool.query(`
+            INSERT INTO notifications (type, recipient, subject, content, attempts)
+            VALUES ('mission_created', $1, 'FiableAuto - Mission FA-TEST enregistrée', 'Bonjour,\n\nVotre demande a bien été enregistrée.', $2)
+            RETURNING id
+        `, [recipient, attempts]);
+        return result.rows[0].id;
+    }
+
+    async function notification(id) {
+        const result = await pool.query(`
+            SELECT *, EXTRACT(EPOCH FROM next_attempt_at - updated_at)::int AS delay_seconds
+            FROM notifications WHERE id = $1
+        `, [id]);
+        return result.rows[0];
+    }
+
+    // Simuler l'écoulement du délai avant la prochaine tentative
+    function makeDue(id) {
+        return pool.query('UPDATE notifications SET next_attempt_at = NOW() WHERE id = $1', [id]);
+    }
+
+    test('envoie une notification due et la marque envoyée', async () => {
+        const id = await enqueue('client@example.fr');
+
+        assert.strictEqual(await processNotificationQueue(), 1);
+
+        const row = await notification(id);
+        assert.strictEqual(row.status, 'sent');
+        assert.strictEqual(row.attempts, 1);
+        assert.strictEqual(row.error_message, null);
+        assert.ok(row.sent_at);
+
+        assert.strictEqual(received.length, 1);
+        assert.deepStrictEqual(received[0].to, ['client@example.fr']);
+        assert.match(received[0].raw, /Subject: .*FA-TEST/);
+    });
+
+    test('replanifie après un échec avec un délai qui double à chaque tentative', async () => {
+        const id = await enqueue('client@example.fr');
+        failNext = 2;
+
+        assert.strictEqual(await processNotificationQueue(), 1);
+        let row = await notification(id);
+        assert.strictEqual(row.status, 'retry');
+        assert.strictEqual(row.attempts, 1);
+        assert.match(row.error_message, /451/);
+        assert.strictEqual(row.delay_seconds, NOTIFICATION_RETRY_BASE_SECONDS);
+
+        // Pas de nouvelle tentative avant l'échéance
+        assert.strictEqual(await processNotificationQueue(), 0);
+
+        await makeDue(id);
+        assert.strictEqual(await processNotificationQueue(), 1);
+        row = await notification(id);
+        assert.strictEqual(row.status, 'retry');
+        assert.strictEqual(row.attempts, 2);
+        assert.strictEqual(row.delay_seconds, NOTIFICATION_RETRY_BASE_SECONDS * 2);
+
+        await makeDue(id);
+        assert.strictEqual(await processNotificationQueue(), 1);
+        row = await notification(id);
+        assert.strictEqual(row.status, 'sent');
+        assert.strictEqual(row.attempts, 3);
+        assert.strictEqual(row.error_message, null);
+        assert.strictEqual(received.length, 1);
+    });
+
+    test('abandonne après le nombre maximal de tentatives', async () => {
+        const id = await enqueue('client@example.fr', NOTIFICATION_MAX_ATTEMPTS - 1);
+        failNext = 1;
+
+        assert.strictEqual(await processNotificationQueue(), 1);
+        const row = await notification(id);
+        assert.strictEqual(row.status, 'failed');
+        assert.strictEqual(row.attempts, NOTIFICATION_MAX_ATTEMPTS);
+
+        await makeDue(id);
+        assert.strictEqual(await processNotificationQueue(), 0);
+        assert.strictEqual(received.length, 0);
+    });
+
+    test('joint le PV de la mission à l\'email de livraison', async () => {
+        await pool.query(`DELETE FROM missions WHERE mission_code = 'FA-TEST-PV'`);
+        const mission = await pool.query(`
+            INSERT INTO missions (mission_code, vehicle_brand, vehicle_model, pickup_location, delivery_location, client_name, client_email)
+            VALUES ('FA-TEST-PV', 'Renault', 'Clio', 'Paris', 'Lyon', 'Jean Dupont', 'client@example.fr')
+            RETURNING id
+        `);
+        await pool.query(`
+            INSERT INTO notifications (mission_id, type, recipient, subject, content, attach_report)
+            VALUES ($1, 'vehicle_delivered', 'client@example.fr', 'FiableAuto - Véhicule livré', 'Bonjour', true)
+        `, [mission.rows[0].id]);
+
+        try {
+            assert.strictEqual(await processNotificationQueue(), 1);
+            assert.strictEqual(received.length, 1);
+            assert.match(received[0].raw, /Content-Type: application\/pdf; name=PV-FA-TEST-PV\.pdf/);
+        } finally {
+            await pool.query('DELETE FROM notifications');
+            await pool.query('DELETE FROM missions WHERE id = $1', [mission.rows[0].id]);
+        }
+    });
+
+    test('reprend un envoi interrompu pendant plus de 10 minutes', async () => {
+        const id = await enqueue('client@example.fr');
+        await pool.query(`UPDATE notifications SET status = 'sending', updated_at = NOW() - INTERVAL '11 minutes' WHERE id = $1`, [id]);
+
+        assert.strictEqual(await processNotificationQueue(), 1);
+        assert.strictEqual((await notification(id)).status, 'sent');
+        assert.strictEqual(received.length, 1);
+    });
+});
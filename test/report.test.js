@@ -0,0 +1,120 @@
+// PV PDF : texte extractible par un lecteur PDF standard (pdf-parse)
+const test = require('node:test');
+const assert = require('node:assert');
+const PDFDocument = require('pdfkit');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const { internals: { renderInspectionReport } } = require('../server');
+
+// PNG 1x1, pour la grille de photos et la signature
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const mission = {
+    id: 1,
+    mission_code: 'FA-20261019-001',
+    mission_type: 'inspection_convoy',
+    urgency: 'high',
+    created_at: '2026-10-19T08:00:00Z',
+    started_at: '2026-10-19T09:00:00Z',
+    completed_at: '2026-10-19T17:30:00Z',
+    vehicle_brand: 'Renault',
+    vehicle_model: 'Clio',
+    vehicle_year: 2021,
+    license_plate: 'AB-123-CD',
+    vin: 'VF1RJA00065432109',
+    mileage: 42150,
+    fuel_level: '3/4',
+    pickup_location: '12 rue de Rivoli, 75001 Paris',
+    pickup_date: '2026-10-19T09:00:00Z',
+    delivery_location: '5 place Bellecour, 69002 Lyon',
+    delivery_date: '2026-10-19T17:00:00Z',
+    client_name: 'Jean Dupont',
+    client_email: 'jean.dupont@example.fr',
+    observations: 'Rayure légère sur le pare-chocs arrière.',
+    signature_timestamp: '2026-10-19T17:30:00Z',
+    signatureBuffer: PNG,
+    signatureRecord: { signer_name: 'Jean Dupont', signer_role: 'client', content_hash: 'a'.repeat(64) }
+};
+
+const inspections = [
+    { stage: 'pickup', mileage: 42100, fuel_level: 'full', key_count: 2, checklist: [{ label: 'Pneus', value: true }, { label: 'Feux', value: false }] },
+    { stage: 'delivery', mileage: 42150, fuel_level: '3/4', key_count: 2, checklist: { 'Gilet de sécurité': true } }
+];
+
+const photos = [
+    { id: 10, stage: 'pickup', photo_type: 'front', buffer: PNG, flags: [] },
+    { id: 11, stage: 'delivery', photo_type: 'back', buffer: null, flags: [{ message: 'Photo prise hors de la période de la mission' }] }
+];
+
+const damages = [
+    { zone: 'rear_bumper', damage_type: 'scratch', severity: 'minor', size_cm: 8, stage: 'delivery', photo_ids: [11], notes: 'Côté gauche' }
+];
+
+// Rendu complet en mémoire, sans fichier temporaire
+function renderToBuffer(data) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, compress: false });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        renderInspectionReport(doc, data);
+        doc.end();
+    });
+}
+
+test('le PV contient les informations de la mission sous forme de texte', async () => {
+    const { text } = await pdfParse(await renderToBuffer({ mission, inspections, photos, damages }));
+
+    for (const expected of [
+        'Procès-verbal de livraison',
+        'Mission FA-20261019-001',
+        'Renault',
+        'Clio',
+        'AB-123-CD',
+        'VF1RJA00065432109',
+        '42150 km',
+        '12 rue de Rivoli, 75001 Paris',
+        '5 place Bellecour, 69002 Lyon',
+        'Jean Dupont',
+        'Checklist - Prise en charge',
+        'Checklist - Livraison',
+        'Gilet de sécurité',
+        'Photos (2)',
+        'Photos à vérifier',
+        'Photo prise hors de la période de la mission',
+        'Dommages (1)',
+        'Pare-chocs arrière',
+        'Rayure légère sur le pare-chocs arrière.',
+        'Jean Dupont (client)',
+        'a'.repeat(64)
+    ]) {
+        assert.ok(text.includes(expected), `texte absent du PV : ${expected}`);
+    }
+    assert.match(text, /Pneus\s*:\s*Oui/);
+    assert.match(text, /Feux\s*:\s*Non/);
+    assert.match(text, /Nombre de clés\s*:\s*2/);
+});
+
+test('le PV d\'une mission sans données reste lisible', async () => {
+    const { text } = await pdfParse(await renderToBuffer({
+        mission: { ...mission, mission_type: 'inspection', vin: null, observations: null, signatureBuffer: null, signatureRecord: null },
+        inspections: [],
+        photos: [],
+        damages: []
+    }));
+
+    assert.ok(text.includes('Procès-verbal d\'inspection'));
+    assert.ok(text.includes('Aucun point de contrôle renseigné.'));
+    assert.ok(text.includes('Aucune photo.'));
+    assert.ok(text.includes('Aucun dommage constaté.'));
+    assert.ok(text.includes('Aucune signature.'));
+    assert.match(text, /VIN\s*:\s*-/);
+});
+
+test('le rendu est déterministe pour les mêmes données', async () => {
+    const data = { mission, inspections, photos, damages };
+    const { text: first } = await pdfParse(await renderToBuffer(data));
+    const { text: second } = await pdfParse(await renderToBuffer(data));
+    assert.strictEqual(first, second);
+});
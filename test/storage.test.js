@@ -0,0 +1,182 @@
+// Stockage des photos : driver disque local et URL signées de GET /api/files/*, driver S3
+// exercé contre un service S3 minimal (même protocole que MinIO / R2, style chemin)
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fiableauto-storage-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = localDir;
+
+const app = require('../server');
+const { storage, createS3Storage, signFileKey } = app.internals;
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function writeSource(content) {
+    const filePath = path.join(localDir, `source-${Date.now()}-${Math.random()}`);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+after(() => {
+    fs.rmSync(localDir, { recursive: true, force: true });
+});
+
+describe('driver disque local', () => {
+    test('enregistre, relit et supprime un fichier', async () => {
+        const key = 'missions/1/front-test.jpg';
+        const url = await storage.put(key, writeSource('photo locale'), 'image/jpeg');
+
+        assert.ok(url.endsWith(`/api/files/${key}`));
+        assert.strictEqual((await storage.getBuffer(key)).toString(), 'photo locale');
+
+        await storage.delete(key);
+        assert.ok(!fs.existsSync(path.join(localDir, key)));
+        // Supprimer un fichier absent n'est pas une erreur
+        await storage.delete(key);
+    });
+
+    test('refuse une clé qui sort du répertoire de stockage', async () => {
+        assert.throws(() => storage.resolveKey('../secret.txt'), /Clé de stockage invalide/);
+        await assert.rejects(storage.put('missions/../../secret.txt', writeSource('x')), /Clé de stockage invalide/);
+    });
+});
+
+describe('GET /api/files/* (URL signées du driver local)', () => {
+    const key = 'missions/2/back-test.jpg';
+    let server;
+    let baseUrl;
+
+    // Chemin et paramètres de l'URL signée, servis par le serveur de test
+    const localUrl = signedUrl => {
+        const url = new URL(signedUrl);
+        return `${baseUrl}${url.pathname}${url.search}`;
+    };
+
+    before(async () => {
+        await storage.put(key, writeSource('photo signée'), 'image/jpeg');
+        server = http.createServer(app);
+        baseUrl = `http://127.0.0.1:${await listen(server)}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('sert le fichier avec une signature valide', async () => {
+        const response = await fetch(localUrl(await storage.getSignedUrl(key)));
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(await response.text(), 'photo signée');
+    });
+
+    test('refuse une signature modifiée', async () => {
+        const url = new URL(localUrl(await storage.getSignedUrl(key)));
+        const signature = url.searchParams.get('signature');
+        url.searchParams.set('signature', `${signature[0] === 'a' ? 'b' : 'a'}${signature.slice(1)}`);
+        assert.strictEqual((await fetch(url)).status, 403);
+    });
+
+    test('refuse une signature d\'une autre longueur ou non hexadécimale', async () => {
+        const expires = Math.floor(Date.now() / 1000) + 60;
+        for (const signature of ['abc', 'é'.repeat(32), 'z'.repeat(64), '']) {
+            const response = await fetch(`${baseUrl}/api/files/${key}?expires=${expires}&signature=${encodeURIComponent(signature)}`);
+            assert.strictEqual(response.status, 403, `signature ${JSON.stringify(signature)}`);
+        }
+    });
+
+    test('refuse une URL expirée', async () => {
+        const expires = Math.floor(Date.now() / 1000) - 1;
+        const response = await fetch(`${baseUrl}/api/files/${key}?expires=${expires}&signature=${signFileKey(key, expires)}`);
+        assert.strictEqual(response.status, 403);
+    });
+
+    test('refuse la signature d\'un autre fichier', async () => {
+        const expires = Math.floor(Date.now() / 1000) + 60;
+        const response = await fetch(`${baseUrl}/api/files/missions/2/other.jpg?expires=${expires}&signature=${signFileKey(key, expires)}`);
+        assert.strictEqual(response.status, 403);
+    });
+
+    test('répond 404 pour un fichier absent correctement signé', async () => {
+        const response = await fetch(localUrl(await storage.getSignedUrl('missions/2/absent.jpg')));
+        assert.strictEqual(response.status, 404);
+    });
+});
+
+describe('driver S3 compatible', () => {
+    // Objets du service S3 de test, par chemin /bucket/clé
+    const objects = new Map();
+    let server;
+    let s3Storage;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                if (req.method === 'PUT') {
+                    objects.set(url.pathname, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+                    res.writeHead(200, { ETag: '"test"' });
+                    return res.end();
+                }
+                if (req.method === 'GET' && objects.has(url.pathname)) {
+                    const object = objects.get(url.pathname);
+                    res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+                    return res.end(object.body);
+                }
+                if (req.method === 'DELETE') {
+                    objects.delete(url.pathname);
+                    res.writeHead(204);
+                    return res.end();
+                }
+                res.writeHead(404, { 'Content-Type': 'application/xml' });
+                res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+            });
+        });
+        const port = await listen(server);
+
+        Object.assign(process.env, {
+            R2_ENDPOINT: `http://127.0.0.1:${port}`,
+            R2_BUCKET_NAME: 'photos',
+            R2_ACCESS_KEY_ID: 'test',
+            R2_SECRET_ACCESS_KEY: 'test-secret',
+            R2_REGION: 'us-east-1'
+        });
+        delete process.env.R2_PUBLIC_URL;
+        s3Storage = createS3Storage();
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('envoie, relit et supprime un objet dans le bucket', async () => {
+        const key = 'missions/3/front-s3.jpg';
+        const url = await s3Storage.put(key, writeSource('photo s3'), 'image/jpeg');
+
+        assert.strictEqual(url, `s3://photos/${key}`);
+        assert.strictEqual(objects.get(`/photos/${key}`).body.toString(), 'photo s3');
+        assert.strictEqual(objects.get(`/photos/${key}`).contentType, 'image/jpeg');
+        assert.strictEqual((await s3Storage.getBuffer(key)).toString(), 'photo s3');
+
+        await s3Storage.delete(key);
+        assert.ok(!objects.has(`/photos/${key}`));
+        await assert.rejects(s3Storage.getBuffer(key));
+    });
+
+    test('génère une URL de téléchargement signée et expirante', async () => {
+        const key = 'missions/3/back-s3.jpg';
+        await s3Storage.put(key, writeSource('photo s3 signée'), 'image/jpeg');
+
+        const signedUrl = new URL(await s3Storage.getSignedUrl(key, 120));
+        assert.strictEqual(signedUrl.pathname, `/photos/${key}`);
+        assert.strictEqual(signedUrl.searchParams.get('X-Amz-Expires'), '120');
+        assert.ok(signedUrl.searchParams.get('X-Amz-Signature'));
+
+        const response = await fetch(signedUrl);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(await response.text(), 'photo s3 signée');
+    });
+});
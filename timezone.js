@@ -0,0 +1,34 @@
+// ===== timezone.js - Conversions entre instants et heure locale d'un fuseau (Europe/Paris par défaut) =====
+// Pour les dates sans fuseau : EXIF sans décalage, cellules de tableur, saisies JJ/MM/AAAA
+
+// Heure locale des dates sans fuseau
+const DEFAULT_TIME_ZONE = 'Europe/Paris';
+
+// Décalage (minutes) d'un fuseau à un instant donné
+function timeZoneOffsetMinutes(timestamp, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+// Heure locale [année, mois, jour, heure, minute, seconde] d'un fuseau -> Date
+// (décalage recalculé autour du changement d'heure)
+function localTimeToDate([year, month, day, hour = 0, minute = 0, second = 0], timeZone = DEFAULT_TIME_ZONE) {
+    const local = Date.UTC(year, month - 1, day, hour, minute, second);
+    let utc = local - timeZoneOffsetMinutes(local, timeZone) * 60000;
+    utc = local - timeZoneOffsetMinutes(utc, timeZone) * 60000;
+    return new Date(utc);
+}
+
+// Date -> heure locale d'un fuseau, sous forme de Date dont les champs UTC portent cette heure
+// (cellules de date des tableurs, qui n'ont pas de fuseau)
+function wallClockDate(date, timeZone = DEFAULT_TIME_ZONE) {
+    return new Date(date.getTime() + timeZoneOffsetMinutes(date.getTime(), timeZone) * 60000);
+}
+
+module.exports = { DEFAULT_TIME_ZONE, localTimeToDate, wallClockDate };
@@ -0,0 +1,232 @@
+// ===== vin.js - Validation et décodage hors ligne des VIN (ISO 3779 / ISO 3780) =====
+// WMI (positions 1-3) : constructeur et pays | VDS (4-9) : description, 9 = clé de contrôle
+// VIS (10-17) : 10 = année modèle, 11 = usine, 12-17 = numéro de série
+
+// Ordre des caractères VIN défini par l'ISO 3780 (I, O et Q sont exclus)
+const VIN_ALPHABET = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Clé de contrôle (position 9) : translittération et pondération
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Année modèle (position 10) : cycle de 30 ans à partir de 1980
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+const REGIONS = [
+    { chars: 'ABCDEFGH', name: 'Afrique' },
+    { chars: 'JKLMNPR', name: 'Asie' },
+    { chars: 'STUVWXYZ', name: 'Europe' },
+    { chars: '12345', name: 'Amérique du Nord' },
+    { chars: '67', name: 'Océanie' },
+    { chars: '890', name: 'Amérique du Sud' }
+];
+
+// Clé de contrôle obligatoire : Amérique du Nord et Chine ; facultative ailleurs (Europe notamment)
+const CHECK_DIGIT_REQUIRED = /^[1-5L]/;
+
+// Pays par plage des deux premiers caractères (ISO 3780)
+const COUNTRY_RANGES = [
+    ['AA', 'AH', 'Afrique du Sud'], ['AJ', 'AN', 'Côte d\'Ivoire'], ['DF', 'DK', 'Maroc'], ['FA', 'FE', 'Tunisie'],
+    ['JA', 'J0', 'Japon'], ['KF', 'KK', 'Israël'], ['KL', 'KR', 'Corée du Sud'], ['KS', 'K0', 'Kazakhstan'],
+    ['LA', 'L0', 'Chine'], ['MA', 'ME', 'Inde'], ['MF', 'MK', 'Indonésie'], ['ML', 'MR', 'Thaïlande'],
+    ['NA', 'NE', 'Iran'], ['NL', 'NR', 'Turquie'], ['PL', 'PR', 'Malaisie'], ['RF', 'RK', 'Taïwan'],
+    ['SA', 'SM', 'Royaume-Uni'], ['SN', 'ST', 'Allemagne'], ['SU', 'SZ', 'Pologne'],
+    ['TA', 'TH', 'Suisse'], ['TJ', 'TP', 'République tchèque'], ['TR', 'TV', 'Hongrie'], ['TW', 'T1', 'Portugal'],
+    ['UH', 'UM', 'Danemark'], ['UN', 'UT', 'Irlande'], ['UU', 'UZ', 'Roumanie'], ['U5', 'U7', 'Slovaquie'],
+    ['VA', 'VE', 'Autriche'], ['VF', 'VR', 'France'], ['VS', 'VW', 'Espagne'], ['VX', 'V2', 'Serbie'],
+    ['V3', 'V5', 'Croatie'], ['V6', 'V0', 'Estonie'], ['WA', 'W0', 'Allemagne'],
+    ['XA', 'XE', 'Bulgarie'], ['XF', 'XK', 'Grèce'], ['XL', 'XR', 'Pays-Bas'], ['XS', 'XW', 'Russie'],
+    ['XX', 'X2', 'Luxembourg'], ['X3', 'X0', 'Russie'],
+    ['YA', 'YE', 'Belgique'], ['YF', 'YK', 'Finlande'], ['YS', 'YW', 'Suède'], ['YX', 'Y2', 'Norvège'],
+    ['Y6', 'Y0', 'Ukraine'], ['ZA', 'ZR', 'Italie'], ['ZX', 'Z2', 'Slovénie'],
+    ['1A', '10', 'États-Unis'], ['2A', '20', 'Canada'], ['3A', '3W', 'Mexique'],
+    ['4A', '40', 'États-Unis'], ['5A', '50', 'États-Unis'], ['6A', '6W', 'Australie'],
+    ['8A', '8E', 'Argentine'], ['9A', '9E', 'Brésil'], ['93', '99', 'Brésil']
+];
+
+// Constructeurs par WMI (marques courantes du marché français)
+const MANUFACTURERS = {
+    VF1: 'Renault', VF2: 'Renault', VF6: 'Renault Trucks', VF8: 'Renault', VNV: 'Renault',
+    UU1: 'Dacia', UU3: 'Dacia', VFA: 'Alpine',
+    VF3: 'Peugeot', VR3: 'Peugeot', VF7: 'Citroën', VR7: 'Citroën', VR1: 'DS Automobiles',
+    VXK: 'Opel', W0L: 'Opel', W0V: 'Opel', VSX: 'Opel',
+    VNK: 'Toyota', SB1: 'Toyota', NMT: 'Toyota', JTD: 'Toyota', JTE: 'Toyota', JTM: 'Toyota', JTN: 'Toyota',
+    WVW: 'Volkswagen', WV1: 'Volkswagen', WV2: 'Volkswagen', WVG: 'Volkswagen', '3VW': 'Volkswagen',
+    WAU: 'Audi', WUA: 'Audi', TRU: 'Audi', TMB: 'Škoda', VSS: 'SEAT', VSE: 'SEAT',
+    WBA: 'BMW', WBS: 'BMW', WBY: 'BMW', WMW: 'MINI',
+    WDB: 'Mercedes-Benz', WDC: 'Mercedes-Benz', WDD: 'Mercedes-Benz', WDF: 'Mercedes-Benz',
+    W1K: 'Mercedes-Benz', W1N: 'Mercedes-Benz', W1V: 'Mercedes-Benz', WME: 'smart',
+    WP0: 'Porsche', WP1: 'Porsche',
+    WF0: 'Ford', VS6: 'Ford', NM0: 'Ford', '1FA': 'Ford', '1FT': 'Ford',
+    ZFA: 'Fiat', ZFF: 'Ferrari', ZAR: 'Alfa Romeo', ZLA: 'Lancia', ZAM: 'Maserati', ZHW: 'Lamborghini',
+    ZCF: 'Iveco', ZAP: 'Piaggio',
+    SAL: 'Land Rover', SAJ: 'Jaguar', SCC: 'Lotus', SCF: 'Aston Martin', SJN: 'Nissan', SHH: 'Honda',
+    VSK: 'Nissan', JN1: 'Nissan', JHM: 'Honda', JMZ: 'Mazda', JM1: 'Mazda', JSA: 'Suzuki', TSM: 'Suzuki',
+    JF1: 'Subaru', JMB: 'Mitsubishi', JMY: 'Mitsubishi',
+    KNA: 'Kia', KNE: 'Kia', U5Y: 'Kia', KMH: 'Hyundai', TMA: 'Hyundai', NLH: 'Hyundai',
+    YV1: 'Volvo', YV4: 'Volvo', LYV: 'Volvo', YS3: 'Saab', LSJ: 'MG', SAR: 'MG',
+    '5YJ': 'Tesla', '7SA': 'Tesla', LRW: 'Tesla', XP7: 'Tesla',
+    LGX: 'BYD', '1G1': 'Chevrolet', '1C4': 'Jeep', ZAC: 'Jeep'
+};
+
+// Autres écritures d'une marque saisie par l'utilisateur (comparées sans accents ni séparateurs)
+const MANUFACTURER_ALIASES = {
+    'Volkswagen': ['vw'],
+    'Mercedes-Benz': ['mercedes', 'mb'],
+    'DS Automobiles': ['ds'],
+    'Renault Trucks': ['renault'],
+    'Land Rover': ['range rover'],
+    'MINI': ['bmw mini']
+};
+
+// Texte comparable : minuscules, sans accents ni séparateurs ('Citroën' -> 'citroen')
+function comparable(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+// 'vf1-rja 000...' -> 'VF1RJA000...'
+function normalizeVin(vin) {
+    return String(vin || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function computeCheckDigit(vin) {
+    const sum = vin.split('').reduce((total, char, index) => {
+        const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+        return total + value * WEIGHTS[index];
+    }, 0);
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+}
+
+function vinCharIndex(char) {
+    return VIN_ALPHABET.indexOf(char);
+}
+
+function decodeCountry(vin) {
+    const code = vin.slice(0, 2);
+    const range = COUNTRY_RANGES.find(([from, to]) => from[0] === code[0] &&
+        vinCharIndex(code[1]) >= vinCharIndex(from[1]) && vinCharIndex(code[1]) <= vinCharIndex(to[1]));
+    return range ? range[2] : null;
+}
+
+function decodeRegion(vin) {
+    const region = REGIONS.find(candidate => candidate.chars.includes(vin[0]));
+    return region ? region.name : null;
+}
+
+// Années modèle possibles pour le code de la position 10. En Amérique du Nord, une position 7
+// alphabétique indique le cycle 2010-2039 ; ailleurs, seules les années plausibles sont gardées
+function decodeModelYears(vin, currentYear = new Date().getFullYear()) {
+    const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) return [];
+
+    const candidates = [1980 + index, 2010 + index, 2040 + index].filter(year => year <= currentYear + 1);
+    if (/^[1-5]/.test(vin)) {
+        const recentCycle = /[A-Z]/.test(vin[6]);
+        return candidates.filter(year => (year >= 2010) === recentCycle);
+    }
+    return candidates;
+}
+
+// Validation de format (ISO 3779). Retourne les erreurs { code, message }
+function validateVin(vin) {
+    const errors = [];
+
+    if (vin.length !== 17) {
+        errors.push({ code: 'vin.length', message: 'Le VIN doit contenir 17 caractères' });
+    }
+    if (/[IOQ]/.test(vin)) {
+        errors.push({ code: 'vin.forbiddenChars', message: 'Le VIN ne peut pas contenir les lettres I, O ou Q' });
+    } else if (!/^[A-Z0-9]*$/.test(vin)) {
+        errors.push({ code: 'vin.chars', message: 'Le VIN ne peut contenir que des lettres et des chiffres' });
+    }
+    if (errors.length === 0 && CHECK_DIGIT_REQUIRED.test(vin) && computeCheckDigit(vin) !== vin[8]) {
+        errors.push({ code: 'vin.checkDigit', message: 'Clé de contrôle du VIN invalide (position 9)' });
+    }
+
+    return errors;
+}
+
+// Décodage complet (le VIN doit être normalisé). valid = false si le format est invalide
+function decodeVin(rawVin) {
+    const vin = normalizeVin(rawVin);
+    const errors = validateVin(vin);
+
+    if (!VIN_PATTERN.test(vin)) {
+        return { vin, valid: false, errors };
+    }
+
+    const expectedCheckDigit = computeCheckDigit(vin);
+    const wmi = vin.slice(0, 3);
+    const modelYears = decodeModelYears(vin);
+
+    return {
+        vin,
+        valid: errors.length === 0,
+        errors,
+        wmi,
+        vds: vin.slice(3, 9),
+        vis: vin.slice(9),
+        manufacturer: MANUFACTURERS[wmi] || null,
+        country: decodeCountry(vin),
+        region: decodeRegion(vin),
+        modelYear: modelYears.length > 0 ? modelYears[modelYears.length - 1] : null,
+        modelYearCandidates: modelYears,
+        plantCode: vin[10],
+        serialNumber: vin.slice(11),
+        checkDigit: {
+            value: vin[8],
+            expected: expectedCheckDigit,
+            valid: vin[8] === expectedCheckDigit,
+            required: CHECK_DIGIT_REQUIRED.test(vin)
+        }
+    };
+}
+
+// La marque saisie correspond-elle au constructeur décodé ? ('VW' = 'Volkswagen', 'citroen' = 'Citroën')
+function brandMatchesManufacturer(brand, manufacturer) {
+    const input = comparable(brand);
+    if (!input || !manufacturer) return true;
+    return [manufacturer, ...(MANUFACTURER_ALIASES[manufacturer] || [])]
+        .map(comparable)
+        .some(name => name === input || name.startsWith(input) || input.startsWith(name));
+}
+
+// Contrôles croisés VIN / marque / année saisies. Retourne des avertissements { field, code, message }.
+// Une clé de contrôle fausse n'en fait pas partie : hors Amérique du Nord et Chine, beaucoup
+// de constructeurs (VW, Renault...) n'en calculent pas ; elle reste visible dans decodeVin().checkDigit
+function vinWarnings(decoded, { brand, year } = {}) {
+    const warnings = [];
+    if (!decoded.valid) return warnings;
+
+    if (brand && decoded.manufacturer && !brandMatchesManufacturer(brand, decoded.manufacturer)) {
+        warnings.push({
+            field: 'vehicleBrand',
+            code: 'vin.brandMismatch',
+            message: `La marque "${brand}" ne correspond pas au constructeur du VIN (${decoded.manufacturer})`
+        });
+    }
+
+    // Un écart d'un an entre année modèle et année saisie (mise en circulation) est courant
+    if (year && decoded.modelYearCandidates.length > 0 &&
+        !decoded.modelYearCandidates.some(candidate => Math.abs(candidate - year) <= 1)) {
+        warnings.push({
+            field: 'vehicleYear',
+            code: 'vin.yearMismatch',
+            message: `L'année ${year} ne correspond pas à l'année modèle du VIN (${decoded.modelYearCandidates.join(' ou ')})`
+        });
+    }
+
+    return warnings;
+}
+
+module.exports = { normalizeVin, validateVin, decodeVin, vinWarnings, computeCheckDigit };